@@ -0,0 +1,92 @@
+// ============================================================================
+// SIGN-IN PAGE
+// ============================================================================
+// Signs the user in, or creates the first admin account when the server has
+// no users yet, then continues to the media viewer.
+
+// setupRequired: True when the server has no accounts and this form creates the first admin
+let setupRequired = false;
+
+const loginForm = document.getElementById('loginForm');
+const loginSubtitle = document.getElementById('loginSubtitle');
+const loginBtn = document.getElementById('loginBtn');
+const confirmPasswordField = document.getElementById('confirmPasswordField');
+const statusMessage = document.getElementById('statusMessage');
+
+/**
+ * Check the current session
+ * Signed-in users go straight to the viewer; without any accounts the form
+ * switches to first-time setup.
+ */
+async function initLogin() {
+    try {
+        const response = await fetch('/api/session');
+        const session = await response.json();
+
+        if (session.authenticated) {
+            window.location.href = '/';
+            return;
+        }
+
+        if (session.setupRequired) {
+            setupRequired = true;
+            loginSubtitle.textContent = 'Create the admin account to get started';
+            loginBtn.textContent = 'Create Admin Account';
+            confirmPasswordField.classList.remove('hidden');
+            document.getElementById('loginPassword').autocomplete = 'new-password';
+        }
+    } catch (error) {
+        showStatus('Cannot reach the server', 'error');
+    }
+
+    loginForm.addEventListener('submit', submitLogin);
+}
+
+/**
+ * Sign in (or create the first admin) with the entered credentials
+ * @param {Event} e - Form submit event
+ */
+async function submitLogin(e) {
+    e.preventDefault();
+
+    const username = document.getElementById('loginUsername').value.trim();
+    const password = document.getElementById('loginPassword').value;
+
+    if (setupRequired && password !== document.getElementById('loginConfirmPassword').value) {
+        showStatus('Passwords do not match', 'error');
+        return;
+    }
+
+    loginBtn.disabled = true;
+    try {
+        const response = await fetch(setupRequired ? '/api/setup' : '/api/login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username, password })
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Sign-in failed');
+        }
+
+        window.location.href = '/';
+    } catch (error) {
+        showStatus(error.message, 'error');
+    } finally {
+        loginBtn.disabled = false;
+    }
+}
+
+/**
+ * Display a status message below the form
+ * @param {string} message - Message text
+ * @param {string} type - 'success' or 'error'
+ */
+function showStatus(message, type) {
+    statusMessage.textContent = message;
+    statusMessage.className = `status-message ${type}`;
+    statusMessage.style.display = 'block';
+}
+
+initLogin();
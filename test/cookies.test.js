@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCookies } = require('../server');
+
+test('parseCookies reads every cookie of the header', () => {
+  assert.deepEqual(parseCookies('session=abc123; theme=dark'), { session: 'abc123', theme: 'dark' });
+});
+
+test('parseCookies decodes values and keeps "=" inside them', () => {
+  assert.deepEqual(parseCookies('name=J%C3%BCrgen%20M; token=a=b='), { name: 'Jürgen M', token: 'a=b=' });
+});
+
+test('parseCookies skips malformed values but reads the other cookies', () => {
+  assert.deepEqual(parseCookies('bad=%E0%A4%A; session=abc123'), { session: 'abc123' });
+});
+
+test('parseCookies ignores parts without a name', () => {
+  assert.deepEqual(parseCookies('=value; flag; session=abc123'), { session: 'abc123' });
+});
+
+test('parseCookies returns no cookies without a header', () => {
+  assert.deepEqual(parseCookies(undefined), {});
+  assert.deepEqual(parseCookies(''), {});
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parsePerceptualHash,
+  getPerceptualHashBands,
+  getHashDistance,
+  groupFilesBy,
+  groupSimilarFiles
+} = require('../server');
+
+// A parsed 64-bit hash with the given bits (0 = most significant) flipped from base
+function flipBits(base, bits) {
+  const hash = [...base];
+  for (const bit of bits) {
+    hash[bit < 32 ? 0 : 1] = (hash[bit < 32 ? 0 : 1] ^ (1 << (31 - bit % 32))) >>> 0;
+  }
+  return hash;
+}
+
+const BASE = parsePerceptualHash('f0e1d2c3b4a59687');
+
+test('parsePerceptualHash splits a hex hash into two 32-bit numbers', () => {
+  assert.deepEqual(BASE, [0xf0e1d2c3, 0xb4a59687]);
+});
+
+test('getHashDistance counts the differing bits', () => {
+  assert.equal(getHashDistance(BASE, BASE), 0);
+  assert.equal(getHashDistance(BASE, flipBits(BASE, [0, 31, 32, 63])), 4);
+  assert.equal(getHashDistance([0, 0], [0xffffffff, 0xffffffff]), 64);
+});
+
+test('getPerceptualHashBands covers all 64 bits', () => {
+  const bands = getPerceptualHashBands(BASE, 7);
+  assert.equal(bands.length, 7);
+  assert.equal(bands.join(''), BASE.map(part => part.toString(2).padStart(32, '0')).join(''));
+});
+
+test('hashes differing in fewer bits than there are bands share a band', () => {
+  // The changed bits are spread over as many bands as possible
+  const changed = flipBits(BASE, [0, 10, 19, 28, 37, 46]);
+  const bands = getPerceptualHashBands(BASE, 7);
+  const changedBands = getPerceptualHashBands(changed, 7);
+  assert.equal(getHashDistance(BASE, changed), 6);
+  assert.ok(bands.some((band, i) => band === changedBands[i]));
+});
+
+test('groupFilesBy keeps groups of two or more and skips files without a key', () => {
+  const files = [
+    { name: 'a', size: 1 },
+    { name: 'b', size: 2 },
+    { name: 'c', size: 1 },
+    { name: 'd', size: null },
+    { name: 'e', size: null }
+  ];
+  assert.deepEqual(groupFilesBy(files, file => file.size), [[files[0], files[2]]]);
+});
+
+test('groupSimilarFiles joins chains of look-alikes into one group', async () => {
+  // a and c differ in 8 bits, too many to compare directly, but both look like b
+  const a = { file: { name: 'a', type: 'image' }, hash: BASE };
+  const b = { file: { name: 'b', type: 'image' }, hash: flipBits(BASE, [0, 1, 2, 3]) };
+  const c = { file: { name: 'c', type: 'image' }, hash: flipBits(BASE, [0, 1, 2, 3, 40, 41, 42, 43]) };
+  const other = { file: { name: 'other', type: 'image' }, hash: flipBits(BASE, [...Array(20).keys()].map(i => i * 3)) };
+
+  assert.equal(getHashDistance(a.hash, c.hash), 8);
+  assert.deepEqual(await groupSimilarFiles([a, other, b, c]), [[a.file, b.file, c.file]]);
+});
+
+test('groupSimilarFiles only groups files of the same type', async () => {
+  const image = { file: { name: 'image', type: 'image' }, hash: BASE };
+  const video = { file: { name: 'video', type: 'video' }, hash: BASE };
+  assert.deepEqual(await groupSimilarFiles([image, video]), []);
+});
+
+test('groupSimilarFiles keeps videos of different durations apart', async () => {
+  const episode = { file: { name: 'e1', type: 'video' }, hash: BASE, duration: 1320 };
+  const copy = { file: { name: 'e1 copy', type: 'video' }, hash: flipBits(BASE, [5]), duration: 1321 };
+  const next = { file: { name: 'e2', type: 'video' }, hash: BASE, duration: 1290 };
+  assert.deepEqual(await groupSimilarFiles([episode, copy, next]), [[episode.file, copy.file]]);
+});
+
+test('groupSimilarFiles stops comparing once cancelled', async () => {
+  const a = { file: { name: 'a', type: 'image' }, hash: BASE };
+  const b = { file: { name: 'b', type: 'image' }, hash: BASE };
+  assert.deepEqual(await groupSimilarFiles([a, b], () => true), []);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { isWithinLibraryRoots, checkLibraryPath } = require('../server');
+
+test('isWithinLibraryRoots accepts a root and the paths below it', () => {
+  const root = path.resolve('/media/videos');
+  assert.equal(isWithinLibraryRoots(root, [root]), true);
+  assert.equal(isWithinLibraryRoots(path.join(root, 'show', 'episode.mkv'), [root]), true);
+});
+
+test('isWithinLibraryRoots refuses siblings that share the root as a prefix', () => {
+  const root = path.resolve('/media/videos');
+  assert.equal(isWithinLibraryRoots(path.resolve('/media/videos-private/a.mkv'), [root]), false);
+  assert.equal(isWithinLibraryRoots(path.resolve('/media'), [root]), false);
+});
+
+test('isWithinLibraryRoots refuses everything without roots', () => {
+  assert.equal(isWithinLibraryRoots(path.resolve('/media/videos'), []), false);
+});
+
+test('checkLibraryPath', async (t) => {
+  const base = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'library-roots-')));
+  const root = path.join(base, 'library');
+  const outside = path.join(base, 'outside');
+  fs.mkdirSync(root);
+  fs.mkdirSync(outside);
+  fs.writeFileSync(path.join(root, 'song.mp3'), '');
+  fs.writeFileSync(path.join(outside, 'secret.mp3'), '');
+  t.after(() => fs.rmSync(base, { recursive: true, force: true }));
+
+  await t.test('returns the canonical path of a file in a root', async () => {
+    assert.deepEqual(await checkLibraryPath(path.join(root, 'sub', '..', 'song.mp3'), [root]), { path: path.join(root, 'song.mp3') });
+  });
+
+  await t.test('refuses ".." out of the root', async () => {
+    const checked = await checkLibraryPath(path.join(root, '..', 'outside', 'secret.mp3'), [root]);
+    assert.equal(checked.status, 403);
+  });
+
+  await t.test('answers 403 for missing files outside the roots, 404 inside', async () => {
+    assert.equal((await checkLibraryPath(path.join(outside, 'missing.mp3'), [root])).status, 403);
+    assert.equal((await checkLibraryPath(path.join(root, 'missing.mp3'), [root])).status, 404);
+  });
+
+  await t.test('refuses a symlink in a root that points outside it', async (t) => {
+    try {
+      fs.symlinkSync(outside, path.join(root, 'link'), 'dir');
+    } catch (error) {
+      t.skip(`symlinks cannot be created here: ${error.code}`);
+      return;
+    }
+    const checked = await checkLibraryPath(path.join(root, 'link', 'secret.mp3'), [root]);
+    assert.equal(checked.status, 403);
+  });
+});
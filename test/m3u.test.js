@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const {
+  parseM3u,
+  resolvePlaylistEntry,
+  buildM3u,
+  canEncodeWindows1252,
+  encodeWindows1252
+} = require('../server');
+
+test('parseM3u reads the name and entries, skipping comments and tags', () => {
+  const content = '\uFEFF#EXTM3U\r\n#PLAYLIST: Road trip \r\n#EXTINF:215,Artist - Song\r\nmusic/song.mp3\r\n\r\n# a comment\r\nhttp://nas/b.mp3\r\n';
+  assert.deepEqual(parseM3u(content), { name: 'Road trip', entries: ['music/song.mp3', 'http://nas/b.mp3'] });
+});
+
+test('parseM3u returns a null name without #PLAYLIST', () => {
+  assert.deepEqual(parseM3u('/music/a.mp3\n'), { name: null, entries: ['/music/a.mp3'] });
+});
+
+test('resolvePlaylistEntry resolves relative paths against the playlist folder', () => {
+  const baseDir = path.resolve('/music/playlists');
+  assert.equal(resolvePlaylistEntry('../albums/song.mp3', baseDir), path.resolve('/music/albums/song.mp3'));
+  assert.equal(resolvePlaylistEntry('..\\albums\\song.mp3', baseDir), path.resolve('/music/albums/song.mp3'));
+});
+
+test('resolvePlaylistEntry cannot resolve relative paths without a folder', () => {
+  assert.equal(resolvePlaylistEntry('song.mp3', ''), null);
+});
+
+test('resolvePlaylistEntry keeps absolute paths and reads file:// URLs', () => {
+  const songPath = path.resolve('/music/my song.mp3');
+  assert.equal(resolvePlaylistEntry(songPath, null), songPath);
+  assert.equal(resolvePlaylistEntry(pathToFileURL(songPath).href, null), songPath);
+});
+
+test('resolvePlaylistEntry reads http(s) URLs as WebDAV and keeps other remote URLs', () => {
+  assert.equal(resolvePlaylistEntry('https://nas.local/music/a.mp3', null), 'webdavs://nas.local/music/a.mp3');
+  assert.equal(resolvePlaylistEntry('http://nas.local/music/a.mp3', null), 'webdav://nas.local/music/a.mp3');
+  assert.equal(resolvePlaylistEntry('sftp://me@nas.local/music/a.mp3', null), 'sftp://me@nas.local/music/a.mp3');
+});
+
+test('buildM3u writes paths relative to baseDir that resolve back to the files', () => {
+  const baseDir = path.resolve('/music');
+  const files = [
+    { name: 'a.mp3', path: path.join(baseDir, 'albums', 'a.mp3'), metadata: { duration: 200.4, artist: 'Artist', title: 'Song' } },
+    { name: 'b.mp3', path: path.join(baseDir, 'b.mp3'), metadata: null }
+  ];
+  const { text, skipped } = buildM3u({ name: 'Mix' }, files, baseDir);
+  const { name, entries } = parseM3u(text);
+
+  assert.equal(skipped, 0);
+  assert.equal(name, 'Mix');
+  assert.match(text, /#EXTINF:200,Artist - Song\n/);
+  assert.match(text, /#EXTINF:-1,b\.mp3\n/);
+  assert.deepEqual(entries.map(entry => resolvePlaylistEntry(entry, baseDir)), files.map(file => file.path));
+});
+
+test('buildM3u leaves out and counts files whose paths cannot be written', () => {
+  const files = [
+    { name: '日本.mp3', path: path.resolve('/music/日本.mp3') },
+    { name: 'Café.mp3', path: path.resolve('/music/Café.mp3') }
+  ];
+  const { text, skipped } = buildM3u({ name: 'Mix' }, files, null, canEncodeWindows1252);
+
+  assert.equal(skipped, 1);
+  assert.deepEqual(parseM3u(text).entries, [path.resolve('/music/Café.mp3')]);
+  assert.match(text, /^# 1 file\(s\) left out/m);
+});
+
+test('canEncodeWindows1252 accepts Latin-1 and the Windows-1252 punctuation only', () => {
+  assert.equal(canEncodeWindows1252('Café – “Live” € ™'), true);
+  assert.equal(canEncodeWindows1252('日本'), false);
+  assert.equal(canEncodeWindows1252('\u0080'), false);
+});
+
+test('encodeWindows1252 writes Windows-1252 bytes and "?" for missing characters', () => {
+  assert.deepEqual([...encodeWindows1252('é€–™')], [0xe9, 0x80, 0x96, 0x99]);
+  assert.equal(encodeWindows1252('a日😀b').toString('latin1'), 'a??b');
+});
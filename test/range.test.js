@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRangeHeader } = require('../server');
+
+test('parseRangeHeader returns null without a Range header', () => {
+  assert.equal(parseRangeHeader(undefined, 1000), null);
+});
+
+test('parseRangeHeader reads closed, open and suffix ranges', () => {
+  assert.deepEqual(parseRangeHeader('bytes=0-499', 1000), { start: 0, end: 499 });
+  assert.deepEqual(parseRangeHeader('bytes=500-', 1000), { start: 500, end: 999 });
+  assert.deepEqual(parseRangeHeader('bytes=-200', 1000), { start: 800, end: 999 });
+});
+
+test('parseRangeHeader clamps ranges that run past the end of the file', () => {
+  assert.deepEqual(parseRangeHeader('bytes=900-5000', 1000), { start: 900, end: 999 });
+  assert.deepEqual(parseRangeHeader('bytes=-5000', 1000), { start: 0, end: 999 });
+});
+
+test('parseRangeHeader refuses unsatisfiable and malformed ranges', () => {
+  assert.equal(parseRangeHeader('bytes=1000-', 1000), false);
+  assert.equal(parseRangeHeader('bytes=500-100', 1000), false);
+  assert.equal(parseRangeHeader('bytes=-', 1000), false);
+  assert.equal(parseRangeHeader('bytes=0-10,20-30', 1000), false);
+  assert.equal(parseRangeHeader('items=0-10', 1000), false);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// SFTP keys may only come from this directory (read when the server is loaded)
+const base = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'remote-paths-')));
+const keyDir = path.join(base, 'keys');
+fs.mkdirSync(keyDir);
+fs.writeFileSync(path.join(keyDir, 'media_key'), '');
+fs.writeFileSync(path.join(base, 'passwd'), '');
+process.env.SFTP_KEY_DIR = keyDir;
+
+const { getPathExtension, resolveSftpKeyPath, isWithinRemoteDir } = require('../server');
+
+test.after(() => fs.rmSync(base, { recursive: true, force: true }));
+
+test('isWithinRemoteDir accepts the folder and the paths below it', () => {
+  assert.equal(isWithinRemoteDir('webdav://nas/music', 'webdav://nas/music'), true);
+  assert.equal(isWithinRemoteDir('webdav://nas/music/album/song.mp3', 'webdav://nas/music'), true);
+  assert.equal(isWithinRemoteDir('webdav://nas/music/song.mp3', 'webdav://nas/music/'), true);
+});
+
+test('isWithinRemoteDir refuses folders that share the folder as a prefix', () => {
+  assert.equal(isWithinRemoteDir('webdav://nas/music-private/song.mp3', 'webdav://nas/music'), false);
+  assert.equal(isWithinRemoteDir('webdav://nas2/music/song.mp3', 'webdav://nas'), false);
+});
+
+test('isWithinRemoteDir ignores query strings', () => {
+  assert.equal(isWithinRemoteDir('sftp://me@nas/music/song.mp3?key=media_key', 'sftp://me@nas/music?key=media_key'), true);
+  assert.equal(isWithinRemoteDir('sftp://me@nas/music/song.mp3?key=media_key', 'sftp://me@nas/music'), true);
+  assert.equal(isWithinRemoteDir('sftp://me@nas/other/song.mp3?key=/music/x', 'sftp://me@nas/music'), false);
+});
+
+test('getPathExtension ignores the query string of remote paths', () => {
+  assert.equal(getPathExtension('sftp://me@nas/videos/Film.MKV?key=media_key'), '.mkv');
+  assert.equal(getPathExtension('webdav://nas/music/song.mp3'), '.mp3');
+});
+
+test('getPathExtension reads local names containing "?" as they are', () => {
+  assert.equal(getPathExtension(path.resolve('/music/what?.mp3')), '.mp3');
+  assert.equal(getPathExtension(path.resolve('/music/what.mp3?.flac')), '.flac');
+});
+
+test('resolveSftpKeyPath finds keys by name or path within the key directory', async () => {
+  assert.equal(await resolveSftpKeyPath('media_key'), path.join(keyDir, 'media_key'));
+  assert.equal(await resolveSftpKeyPath(path.join(keyDir, 'media_key')), path.join(keyDir, 'media_key'));
+});
+
+test('resolveSftpKeyPath refuses files outside the key directory', async () => {
+  await assert.rejects(resolveSftpKeyPath('../passwd'), /SFTP key file must be in/);
+  await assert.rejects(resolveSftpKeyPath(path.join(base, 'passwd')), /SFTP key file must be in/);
+  await assert.rejects(resolveSftpKeyPath('.'), /SFTP key file must be in/);
+});
+
+test('resolveSftpKeyPath refuses symlinks in the key directory that point outside it', async (t) => {
+  try {
+    fs.symlinkSync(path.join(base, 'passwd'), path.join(keyDir, 'link'));
+  } catch (error) {
+    t.skip(`symlinks cannot be created here: ${error.code}`);
+    return;
+  }
+  await assert.rejects(resolveSftpKeyPath('link'), /SFTP key file must be in/);
+});
+
+test('resolveSftpKeyPath refuses missing keys', async () => {
+  await assert.rejects(resolveSftpKeyPath('missing_key'), /SFTP key file must be in/);
+});
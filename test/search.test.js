@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { tokenizeSearchText, getEditDistance, scoreSearchTerm } = require('../server');
+
+test('tokenizeSearchText splits on punctuation and drops case and accents', () => {
+  assert.deepEqual(tokenizeSearchText('Beyoncé - Crazy_In.Love (2003)'), ['beyonce', 'crazy', 'in', 'love', '2003']);
+  assert.deepEqual(tokenizeSearchText(null), []);
+});
+
+test('getEditDistance counts insertions, deletions and substitutions', () => {
+  assert.equal(getEditDistance('breaking', 'breaking', 2), 0);
+  assert.equal(getEditDistance('breking', 'breaking', 2), 1);
+  assert.equal(getEditDistance('breakingg', 'breaking', 2), 1);
+  assert.equal(getEditDistance('braeking', 'brxaking', 2), 2);
+});
+
+test('getEditDistance counts swapped neighbours as one edit', () => {
+  assert.equal(getEditDistance('berakign', 'breaking', 2), 2);
+  assert.equal(getEditDistance('teh', 'the', 1), 1);
+});
+
+test('getEditDistance stops at maxDistance + 1', () => {
+  assert.equal(getEditDistance('kitten', 'sitting', 1), 2);
+  assert.equal(getEditDistance('a', 'abcdef', 2), 3);
+});
+
+test('scoreSearchTerm ranks exact matches, prefixes, typos and substrings', () => {
+  assert.equal(scoreSearchTerm('breaking', 'breaking'), 1);
+  assert.equal(scoreSearchTerm('break', 'breaking'), 0.8);
+  assert.equal(scoreSearchTerm('breking', 'breaking'), 0.6);
+  assert.equal(scoreSearchTerm('brekaing', 'breaking'), 0.6);
+  assert.equal(scoreSearchTerm('bad', 'badlands'), 0.8);
+  assert.equal(scoreSearchTerm('land', 'badlands'), 0.5);
+});
+
+test('scoreSearchTerm allows two typos only from 8 characters', () => {
+  assert.equal(scoreSearchTerm('braekign', 'breaking'), 0.4);
+  assert.equal(scoreSearchTerm('bkad', 'bead'), 0.6);
+  assert.equal(scoreSearchTerm('bkadd', 'bead'), 0);
+});
+
+test('scoreSearchTerm does not match short words by typo or substring', () => {
+  assert.equal(scoreSearchTerm('bad', 'bed'), 0);
+  assert.equal(scoreSearchTerm('ad', 'bad'), 0);
+});